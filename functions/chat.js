@@ -0,0 +1,115 @@
+// Chat data helpers for the assistant functions. Paths, limits and document shapes mirror CJ_Chatroom.jsx and
+// firestore.rules; keep them in step when either side changes.
+
+export const AI_ASSISTANT_ID = 'ai_assistant_gemini';
+export const AI_ASSISTANT_NAME = "CJ's Assistant";
+
+// Assistant memory: recent messages are replayed as a multi-turn conversation, trimmed to a rough token budget
+export const AI_HISTORY_FETCH_LIMIT = 50;
+export const AI_SUMMON_CONTEXT_LIMIT = 30; // Recent messages read before answering an @mention
+const AI_HISTORY_TOKEN_BUDGET = 6000;
+const AI_CHARS_PER_TOKEN = 4; // Estimate used for the budget; close enough for English text
+
+export const AI_SUMMON_DEFAULT_DAILY_QUOTA = 50;
+export const AI_QUOTA_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+const LAST_MESSAGE_PREVIEW_LENGTH = 120;
+const SEARCH_MIN_PREFIX = 2;
+const SEARCH_MAX_PREFIX = 15;
+const SEARCH_MAX_TOKENS = 400;
+
+// --- PATHS ---
+
+export const getCollectionPath = (appId, type) => `artifacts/${appId}/public/data/${type}`;
+
+export const getConversationPath = (appId, chatType, chatId) => (
+    `${getCollectionPath(appId, chatType === 'chatroom' ? 'chatrooms' : 'dmThreads')}/${chatId}`
+);
+
+// The reply to a prompt gets a fixed id, so a prompt is answered at most once and the caller knows where to look
+export const getAssistantReplyId = (promptMessageId) => `${promptMessageId}_reply`;
+
+// --- CONVERSATIONS ---
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : 0);
+
+export const isGroupThread = (thread) => thread.isGroup === true || (thread.participants || []).length > 2;
+
+export const isAssistantDirectMessage = (participants = []) => participants.includes(AI_ASSISTANT_ID) && participants.length === 2;
+
+export const isRoomMember = (room, userId) => room.ownerId === userId || (room.members || []).includes(userId);
+
+// Same checks as canPostInRoom in firestore.rules
+export const canPostInRoom = (room, userId, now = Date.now()) => isRoomMember(room, userId)
+    && !room.archived
+    && !(room.bannedUserIds || []).includes(userId)
+    && toMillis(room.mutedUntil?.[userId]) <= now;
+
+export const getAssistantDailyQuota = (chatType, conversation) => (
+    (chatType === 'chatroom' && conversation.assistantDailyQuota) || AI_SUMMON_DEFAULT_DAILY_QUOTA
+);
+
+// The next state of a { periodStart, count } usage counter, or null once count has reached quota for the period
+export const nextUsage = (usage, quota, now, serverNow) => {
+    const isSamePeriod = !!usage?.periodStart && toMillis(usage.periodStart) + AI_QUOTA_PERIOD_MS > now;
+    if (isSamePeriod && usage.count >= quota) return null;
+    return isSamePeriod ? { periodStart: usage.periodStart, count: usage.count + 1 } : { periodStart: serverNow, count: 1 };
+};
+
+// --- MESSAGES ---
+
+export const toPreviewText = (text) => (text || '').replace(/\s+/g, ' ').trim().slice(0, LAST_MESSAGE_PREVIEW_LENGTH);
+
+export const buildLastMessage = (messageId, messageData) => ({
+    messageId,
+    senderId: messageData.senderId,
+    text: toPreviewText(messageData.text),
+    attachmentCount: (messageData.attachments || []).length,
+    isSystem: !!messageData.systemEvent,
+    deleted: false,
+});
+
+const normalizeSearchText = (text) => text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+export const buildSearchTokens = (text) => {
+    const tokens = new Set();
+    normalizeSearchText(text || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach(word => {
+        for (let length = SEARCH_MIN_PREFIX; length <= Math.min(word.length, SEARCH_MAX_PREFIX); length++) {
+            tokens.add(word.slice(0, length));
+        }
+        if (word.length > SEARCH_MAX_PREFIX) tokens.add(word);
+    });
+    return [...tokens].slice(0, SEARCH_MAX_TOKENS);
+};
+
+const estimateTokens = (text) => Math.ceil(text.length / AI_CHARS_PER_TOKEN);
+
+// The assistant's memory as provider turns (see llm/provider.js). Walks the conversation newest-first until the
+// latest context reset or the token budget runs out, then maps senders to user/assistant turns, merging runs of the
+// same role since providers expect the turns to alternate and to open with the user. In group conversations
+// labelUserText prefixes each person's message with their name, since they all share the user role.
+export const buildAssistantTurns = (messagesNewestFirst, labelUserText = null) => {
+    const turns = [];
+    let tokens = 0;
+    for (const msg of messagesNewestFirst) {
+        if (msg.systemEvent?.action === 'contextReset') break;
+        if (msg.systemEvent || msg.deleted || msg.aiStatus === 'failed' || !msg.text?.trim()) continue;
+
+        const cost = estimateTokens(msg.text);
+        if (turns.length > 0 && tokens + cost > AI_HISTORY_TOKEN_BUDGET) break;
+        tokens += cost;
+        const isModel = msg.senderId === AI_ASSISTANT_ID;
+        turns.unshift({ role: isModel ? 'assistant' : 'user', text: !isModel && labelUserText ? labelUserText(msg) : msg.text });
+    }
+
+    while (turns.length > 0 && turns[0].role === 'assistant') turns.shift();
+    return turns.reduce((merged, turn) => {
+        const previous = merged[merged.length - 1];
+        if (previous?.role === turn.role) {
+            previous.text += `\n\n${turn.text}`;
+        } else {
+            merged.push({ ...turn });
+        }
+        return merged;
+    }, []);
+};
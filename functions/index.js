@@ -0,0 +1,375 @@
+// Assistant proxy: every AI request from CJ_Chatroom.jsx goes through these callable functions, so the LLM API
+// key stays on the server. The callable protocol verifies the caller's Firebase Auth ID token (request.auth is
+// only set for a valid one); prompts are built here from Firestore rather than taken from the client, and each
+// request counts against a per-user daily quota.
+//
+// The model behind it is picked by LLM_PROVIDER (see llm/index.js): 'gemini' (the default), 'openai' for any
+// OpenAI-compatible API, or 'mock' for the deterministic local server in llm/mockServer.js.
+//
+// Local development: put LLM_API_KEY=... in functions/.secret.local (any value will do for the mock), then
+// `npm run serve` in this directory starts the Auth, Firestore and Functions emulators (see firebase.json).
+// To work offline, also set LLM_PROVIDER=mock in functions/.env.local and start `npm run mock-llm` alongside.
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineInt, defineSecret, defineString } from 'firebase-functions/params';
+import { logger } from 'firebase-functions/v2';
+import {
+    AI_ASSISTANT_ID,
+    AI_ASSISTANT_NAME,
+    AI_HISTORY_FETCH_LIMIT,
+    AI_SUMMON_CONTEXT_LIMIT,
+    getCollectionPath,
+    getConversationPath,
+    getAssistantReplyId,
+    isGroupThread,
+    isAssistantDirectMessage,
+    isRoomMember,
+    canPostInRoom,
+    getAssistantDailyQuota,
+    nextUsage,
+    toPreviewText,
+    buildLastMessage,
+    buildSearchTokens,
+    buildAssistantTurns,
+} from './chat.js';
+import { createProvider, LLM_PROVIDERS } from './llm/index.js';
+
+initializeApp();
+const db = getFirestore();
+
+const LLM_API_KEY = defineSecret('LLM_API_KEY');
+const LLM_PROVIDER = defineString('LLM_PROVIDER', { default: 'gemini', input: { select: { options: LLM_PROVIDERS.map(value => ({ value })) } } });
+const LLM_MODEL = defineString('LLM_MODEL', { default: '', description: "Leave empty for the provider's default model" });
+const LLM_BASE_URL = defineString('LLM_BASE_URL', { default: '', description: "Leave empty for the provider's default API URL" });
+// Requests per user per 24 hours, shared by replies, summaries and drafts
+const AI_USER_DAILY_QUOTA = defineInt('AI_USER_DAILY_QUOTA', { default: 100 });
+
+const AI_STREAM_WRITE_INTERVAL_MS = 400; // At most one Firestore write per this interval while a reply streams in
+const SUMMARY_MESSAGE_LIMIT = 30;
+const ID_PATTERN = /^[\w.-]{1,128}$/;
+
+const callableOptions = { secrets: [LLM_API_KEY], timeoutSeconds: 300 };
+
+// --- REQUEST HELPERS ---
+
+const requireUserId = (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in to use the assistant.');
+    }
+    return request.auth.uid;
+};
+
+const requireId = (value, field) => {
+    if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+        throw new HttpsError('invalid-argument', `${field} is missing or malformed.`);
+    }
+    return value;
+};
+
+const getUserUsageRef = (appId, userId) => db.doc(`${getCollectionPath(appId, 'aiUsage')}/${userId}`);
+
+// Counts one request against the caller's daily quota, or fails once it's used up
+const chargeUserQuota = (appId, userId) => db.runTransaction(async (transaction) => {
+    const usageRef = getUserUsageRef(appId, userId);
+    const usage = nextUsage((await transaction.get(usageRef)).data(), AI_USER_DAILY_QUOTA.value(), Date.now(), FieldValue.serverTimestamp());
+    if (!usage) {
+        throw new HttpsError('resource-exhausted', `You've used all ${AI_USER_DAILY_QUOTA.value()} of today's assistant requests. Try again tomorrow.`);
+    }
+    transaction.set(usageRef, { ...usage, lastUsedAt: FieldValue.serverTimestamp() });
+});
+
+// displayName by user ID, for labelling messages in prompts
+const loadDisplayNames = async (appId, userIds) => {
+    const ids = [...new Set(userIds)].filter(id => id && id !== AI_ASSISTANT_ID);
+    if (ids.length === 0) return {};
+    const snaps = await db.getAll(...ids.map(id => db.doc(`${getCollectionPath(appId, 'users')}/${id}`)));
+    return Object.fromEntries(snaps.map(snap => [snap.id, snap.data()?.displayName]));
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        return typeof timeZone === 'string' && !!new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        return false;
+    }
+};
+
+const getProvider = () => createProvider({
+    name: LLM_PROVIDER.value(),
+    apiKey: LLM_API_KEY.value(),
+    model: LLM_MODEL.value(),
+    baseUrl: LLM_BASE_URL.value(),
+});
+
+// An LLMError from the provider, as the error the caller sees
+const toHttpsError = (error) => (error.code === 'rate_limited' ?
+    new HttpsError('resource-exhausted', 'The assistant is busy right now. Please try again in a moment.') :
+    new HttpsError('unavailable', 'The assistant is unavailable right now. Please try again.'));
+
+const generate = async (request) => {
+    const provider = getProvider();
+    try {
+        return await provider.generate(request);
+    } catch (error) {
+        logger.error(`${provider.name} request failed:`, error);
+        throw toHttpsError(error);
+    }
+};
+
+// --- ASSISTANT REPLIES ---
+
+// The assistant answers everything in its 1:1 DM, and @mentions in group DMs and in chatrooms that enable it
+const getReplyMode = (chatType, conversation, prompt, userId) => {
+    const mentionsAssistant = (prompt.mentions || []).includes(AI_ASSISTANT_ID);
+    if (chatType === 'dm') {
+        if (!(conversation.participants || []).includes(userId)) {
+            throw new HttpsError('permission-denied', "You're not part of this conversation.");
+        }
+        if (isAssistantDirectMessage(conversation.participants)) return 'direct';
+        if (isGroupThread(conversation) && mentionsAssistant) return 'summoned';
+    } else {
+        if (!canPostInRoom(conversation, userId)) {
+            throw new HttpsError('permission-denied', "You can't post in this chatroom.");
+        }
+        if (conversation.assistantEnabled && mentionsAssistant) return 'summoned';
+    }
+    throw new HttpsError('failed-precondition', `${AI_ASSISTANT_NAME} can't answer this message.`);
+};
+
+// Answers promptMessageId (one of the caller's own messages) in its conversation. The reply message is created
+// first, under getAssistantReplyId(promptMessageId), then streamed into until it's complete, stopped or failed.
+// Clients stop a reply by setting its aiStatus to 'stopped', which this function watches for.
+export const assistantReply = onCall(callableOptions, async (request) => {
+    const userId = requireUserId(request);
+    const { chatType } = request.data || {};
+    const appId = requireId(request.data?.appId, 'appId');
+    const chatId = requireId(request.data?.chatId, 'chatId');
+    const promptMessageId = requireId(request.data?.promptMessageId, 'promptMessageId');
+    if (chatType !== 'chatroom' && chatType !== 'dm') {
+        throw new HttpsError('invalid-argument', 'chatType must be "chatroom" or "dm".');
+    }
+    const provider = getProvider(); // Before anything is written, so a misconfigured provider fails cleanly
+
+    const conversationRef = db.doc(getConversationPath(appId, chatType, chatId));
+    const messagesRef = conversationRef.collection('messages');
+    const promptRef = messagesRef.doc(promptMessageId);
+    const replyRef = messagesRef.doc(getAssistantReplyId(promptMessageId));
+    const userUsageRef = getUserUsageRef(appId, userId);
+    const assistantUsageRef = conversationRef.collection('assistantUsage').doc('current');
+
+    // Create the reply straight away, counted against the caller's quota and, for @mentions, the conversation's.
+    // Once the caller's own quota is used up, the reply is created as failed so they can see why.
+    const { mode, conversation, promptTimestamp, canAnswer } = await db.runTransaction(async (transaction) => {
+        const [conversationSnap, promptSnap, replySnap, userUsageSnap, assistantUsageSnap] =
+            await transaction.getAll(conversationRef, promptRef, replyRef, userUsageRef, assistantUsageRef);
+        if (!conversationSnap.exists || !promptSnap.exists) {
+            throw new HttpsError('not-found', 'That message no longer exists.');
+        }
+        if (replySnap.exists) {
+            throw new HttpsError('already-exists', `${AI_ASSISTANT_NAME} has already answered that message.`);
+        }
+
+        const conversation = conversationSnap.data();
+        const prompt = promptSnap.data();
+        if (prompt.senderId !== userId || prompt.deleted || !prompt.text?.trim()) {
+            throw new HttpsError('permission-denied', `${AI_ASSISTANT_NAME} only answers your own messages.`);
+        }
+        const mode = getReplyMode(chatType, conversation, prompt, userId);
+
+        const now = Date.now();
+        const assistantUsage = mode === 'summoned' ?
+            nextUsage(assistantUsageSnap.data(), getAssistantDailyQuota(chatType, conversation), now, FieldValue.serverTimestamp()) : null;
+        if (mode === 'summoned' && !assistantUsage) {
+            throw new HttpsError('resource-exhausted', `${AI_ASSISTANT_NAME} has no answers left in this conversation today.`);
+        }
+        const userUsage = nextUsage(userUsageSnap.data(), AI_USER_DAILY_QUOTA.value(), now, FieldValue.serverTimestamp());
+
+        const reply = {
+            text: '',
+            senderId: AI_ASSISTANT_ID,
+            timestamp: FieldValue.serverTimestamp(),
+            aiStatus: userUsage ? 'streaming' : 'failed',
+            ...(userUsage ? {} : { aiError: `You've used all ${AI_USER_DAILY_QUOTA.value()} of today's assistant requests. Try again tomorrow.` }),
+            ...(mode === 'summoned' ? { summonedBy: userId } : {}),
+        };
+        transaction.create(replyRef, reply);
+        transaction.update(conversationRef, {
+            lastMessage: buildLastMessage(replyRef.id, reply),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+        if (userUsage) {
+            transaction.set(userUsageRef, { ...userUsage, lastUsedAt: FieldValue.serverTimestamp() });
+            if (assistantUsage) {
+                transaction.set(assistantUsageRef, { ...assistantUsage, lastReplyId: replyRef.id, lastUsedAt: FieldValue.serverTimestamp() });
+            }
+        }
+        return { mode, conversation, promptTimestamp: prompt.timestamp, canAnswer: !!userUsage };
+    });
+    if (!canAnswer) {
+        return { messageId: replyRef.id, aiStatus: 'failed' };
+    }
+
+    // A stop from any client, or a moderator deleting the reply, ends the stream
+    const controller = new AbortController();
+    const unsubscribe = replyRef.onSnapshot((snap) => {
+        const data = snap.data();
+        if (!data || data.deleted || data.aiStatus !== 'streaming') controller.abort();
+    }, (error) => logger.error("Error watching assistant reply:", error));
+
+    // Streamed text only lands while the reply is still streaming, so a write that was in flight when the reply
+    // was stopped or deleted can't put text back on it. Resolves to false once the reply has moved on.
+    const writeStreamedText = (partial) => db.runTransaction(async (transaction) => {
+        const reply = (await transaction.get(replyRef)).data();
+        if (!reply || reply.deleted || reply.aiStatus !== 'streaming') return false;
+        transaction.update(replyRef, { text: partial });
+        return true;
+    });
+
+    let text = '';
+    let lastWriteAt = 0;
+    let pendingWrite = Promise.resolve();
+    let isWriting = false; // One write at a time; text that arrives meanwhile goes out with the next one
+    let aiStatus = 'complete';
+    let aiError = null;
+    // The memory and prompt are built in here too: the reply already exists, so any failure has to mark it failed
+    try {
+        // Conversation memory: the messages up to the prompt since the last context reset. In group conversations
+        // each message is labelled with its sender, and the assistant is told who asked.
+        const historySnap = await messagesRef
+            .where('timestamp', '<=', promptTimestamp)
+            .orderBy('timestamp', 'desc')
+            .limit(mode === 'summoned' ? AI_SUMMON_CONTEXT_LIMIT : AI_HISTORY_FETCH_LIMIT)
+            .get();
+        const history = historySnap.docs.map(snap => snap.data());
+        const names = mode === 'summoned' ? await loadDisplayNames(appId, [userId, ...history.map(msg => msg.senderId)]) : {};
+        const askerName = names[userId] || 'Someone';
+        const turns = buildAssistantTurns(history, mode === 'summoned' ? (msg) => `${names[msg.senderId] || 'Someone'}: ${msg.text}` : null);
+
+        const systemPrompt = mode === 'summoned' ?
+            `You are CJ's Assistant, a helpful, friendly, and concise AI chatbot. ${askerName} mentioned you in a group conversation${chatType === 'chatroom' && conversation.name ? ` called "${conversation.name}"` : ''}. Each message from the people in it starts with the sender's name. Answer ${askerName}'s latest message, using the rest of the conversation as context. Keep your responses short and informal.` :
+            "You are CJ's Assistant, a helpful, friendly, and concise AI chatbot in a private chatroom. Keep your responses short and informal.";
+
+        text = await provider.stream({
+            system: systemPrompt,
+            turns,
+            grounded: true,
+            signal: controller.signal,
+            onText: (partial) => {
+                text = partial;
+                if (isWriting || controller.signal.aborted || Date.now() - lastWriteAt < AI_STREAM_WRITE_INTERVAL_MS) return;
+                isWriting = true;
+                lastWriteAt = Date.now();
+                pendingWrite = writeStreamedText(partial)
+                    .then(isStreaming => { if (!isStreaming) controller.abort(); })
+                    .catch(error => logger.error("Error writing streamed reply:", error))
+                    .finally(() => { isWriting = false; });
+            },
+        });
+        text = text || "Sorry, I couldn't generate a response right now.";
+    } catch (error) {
+        if (error.code === 'aborted') {
+            aiStatus = 'stopped';
+        } else {
+            logger.error(`${provider.name} reply failed:`, error);
+            aiStatus = 'failed';
+            aiError = "The assistant couldn't finish this response.";
+        }
+    } finally {
+        unsubscribe();
+    }
+    await pendingWrite; // So a late partial write can't land on top of the final text
+
+    // Final text and status, plus the sidebar preview if this is still the conversation's newest message.
+    // A stop that raced the end of the stream still wins.
+    const finalStatus = await db.runTransaction(async (transaction) => {
+        const [conversationSnap, replySnap] = await transaction.getAll(conversationRef, replyRef);
+        const reply = replySnap.data();
+        if (!reply || reply.deleted) return 'deleted';
+
+        const status = reply.aiStatus === 'stopped' ? 'stopped' : aiStatus;
+        transaction.update(replyRef, {
+            text,
+            searchTokens: buildSearchTokens(text),
+            aiStatus: status,
+            ...(status === 'failed' ? { aiError } : {}),
+        });
+        if (conversationSnap.data()?.lastMessage?.messageId === replyRef.id) {
+            transaction.update(conversationRef, { 'lastMessage.text': toPreviewText(text) });
+        }
+        return status;
+    });
+
+    return { messageId: replyRef.id, aiStatus: finalStatus };
+});
+
+// --- SUMMARIES AND DRAFTS ---
+
+// A one-paragraph summary of a chatroom's recent messages. timeZone (an IANA name from the browser) is only
+// used to show message times in the transcript the way the caller sees them.
+export const summarizeChat = onCall(callableOptions, async (request) => {
+    const userId = requireUserId(request);
+    const appId = requireId(request.data?.appId, 'appId');
+    const chatId = requireId(request.data?.chatId, 'chatId');
+    const timeZone = isValidTimeZone(request.data?.timeZone) ? request.data.timeZone : 'UTC';
+
+    const roomRef = db.doc(getConversationPath(appId, 'chatroom', chatId));
+    const roomSnap = await roomRef.get();
+    if (!roomSnap.exists || !isRoomMember(roomSnap.data(), userId)) {
+        throw new HttpsError('permission-denied', "You're not a member of this chatroom.");
+    }
+
+    const snapshot = await roomRef.collection('messages').orderBy('timestamp', 'desc').limit(SUMMARY_MESSAGE_LIMIT).get();
+    const msgs = snapshot.docs.map(doc => doc.data()).filter(msg => !msg.deleted).reverse(); // Chronological order
+    if (msgs.length === 0) {
+        return { text: "No messages to summarize." };
+    }
+    await chargeUserQuota(appId, userId);
+
+    const names = await loadDisplayNames(appId, msgs.map(msg => msg.senderId));
+    const chatTranscript = msgs.map(msg => {
+        const senderName = msg.senderId === AI_ASSISTANT_ID ? AI_ASSISTANT_NAME : (names[msg.senderId] || 'Unknown');
+        const time = msg.timestamp?.toDate ? msg.timestamp.toDate().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone }) : '[Time]';
+        return `[${time}] ${senderName}: ${msg.text || '[attachment]'}`;
+    }).join('\n');
+
+    const systemPrompt = "You are a concise summarization bot. Your task is to provide a single, easy-to-read paragraph summary of the following chat transcript, focusing on the main topics and key decisions. Start with 'Key Summary:'.";
+    const userQuery = `Please summarize this chat transcript, which contains ${msgs.length} messages:\n\n---\n${chatTranscript}\n---`;
+    const summary = await generate({ system: systemPrompt, turns: [{ role: 'user', text: userQuery }] });
+
+    return { text: summary || "Could not generate summary." };
+});
+
+// A suggested reply to the latest message from the other person in a 1:1 DM
+export const draftReply = onCall(callableOptions, async (request) => {
+    const userId = requireUserId(request);
+    const appId = requireId(request.data?.appId, 'appId');
+    const chatId = requireId(request.data?.chatId, 'chatId');
+
+    const threadRef = db.doc(getConversationPath(appId, 'dm', chatId));
+    const threadSnap = await threadRef.get();
+    const participants = threadSnap.data()?.participants || [];
+    if (!participants.includes(userId)) {
+        throw new HttpsError('permission-denied', "You're not part of this conversation.");
+    }
+    if (isGroupThread(threadSnap.data()) || participants.includes(AI_ASSISTANT_ID)) {
+        throw new HttpsError('failed-precondition', 'Replies can only be drafted in 1:1 conversations with other people.');
+    }
+
+    const snapshot = await threadRef.collection('messages').orderBy('timestamp', 'desc').limit(1).get();
+    const lastMessage = snapshot.docs[0]?.data();
+    if (!lastMessage || lastMessage.senderId === userId || lastMessage.deleted || !lastMessage.text) {
+        throw new HttpsError('failed-precondition', 'No message from the other person to draft a reply to.');
+    }
+    await chargeUserQuota(appId, userId);
+
+    const names = await loadDisplayNames(appId, [userId, lastMessage.senderId]);
+    const otherUser = names[lastMessage.senderId] || 'Contact';
+    const currentUserDisplayName = names[userId] || 'Me';
+    const systemPrompt = `You are a helpful assistant drafting a natural, friendly reply for a user named '${currentUserDisplayName}'. The response should be based on the last message received from '${otherUser}'. Write a short, single-sentence response. Do NOT use quotation marks. Only output the suggested reply text, without any introductory phrases.`;
+    const userQuery = `The last message received was: "${lastMessage.text}". Suggest a friendly reply for '${currentUserDisplayName}'.`;
+    const draftedText = await generate({ system: systemPrompt, turns: [{ role: 'user', text: userQuery }] });
+
+    return { text: (draftedText || "That's a good question!").trim() };
+});
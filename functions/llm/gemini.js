@@ -0,0 +1,42 @@
+// Google Gemini (generativelanguage.googleapis.com), with Google Search grounding for grounded requests
+
+import { postWithRetry, readServerSentEvents, parseChunk } from './provider.js';
+
+const PROVIDER = 'Gemini';
+export const GEMINI_DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+export const GEMINI_DEFAULT_MODEL = 'gemini-2.5-flash-preview-09-2025';
+
+const toPayload = ({ system, turns, grounded }) => ({
+    contents: turns.map(turn => ({ role: turn.role === 'assistant' ? 'model' : 'user', parts: [{ text: turn.text }] })),
+    ...(grounded ? { tools: [{ "google_search": {} }] } : {}),
+    systemInstruction: { parts: [{ text: system }] },
+});
+
+const getCandidateText = (result) => (result?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+
+export const createGeminiProvider = ({ apiKey, model = GEMINI_DEFAULT_MODEL, baseUrl = GEMINI_DEFAULT_BASE_URL, retryDelayMs }) => {
+    const endpoint = (method) => `${baseUrl}/models/${model}:${method}`;
+    const headers = { 'x-goog-api-key': apiKey };
+
+    return {
+        name: PROVIDER,
+
+        generate: async (request) => {
+            const response = await postWithRetry(PROVIDER, endpoint('generateContent'), { headers, body: toPayload(request), retryDelayMs });
+            return getCandidateText(await response.json());
+        },
+
+        stream: async ({ signal, onText, ...request }) => {
+            const response = await postWithRetry(PROVIDER, `${endpoint('streamGenerateContent')}?alt=sse`, { headers, body: toPayload(request), signal, retryDelayMs });
+            let text = '';
+            await readServerSentEvents(PROVIDER, response, (data) => {
+                const chunk = getCandidateText(parseChunk(data));
+                if (chunk) {
+                    text += chunk;
+                    onText(text);
+                }
+            });
+            return text;
+        },
+    };
+};
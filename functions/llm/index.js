@@ -0,0 +1,22 @@
+// Picks the LLM provider the assistant functions talk to. See provider.js for the interface they share.
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { MOCK_LLM_DEFAULT_BASE_URL, MOCK_LLM_MODEL } from './mockServer.js';
+
+export { LLMError } from './provider.js';
+
+export const LLM_PROVIDERS = ['gemini', 'openai', 'mock'];
+
+// name: one of LLM_PROVIDERS. An empty model or baseUrl falls back to the provider's default; retryDelayMs is the
+// first retry backoff (see postWithRetry). The mock speaks the OpenAI-compatible API, so it's that provider
+// pointed at the local mock server.
+export const createProvider = ({ name, apiKey, model, baseUrl, retryDelayMs }) => {
+    const options = { apiKey, retryDelayMs, ...(model ? { model } : {}), ...(baseUrl ? { baseUrl } : {}) };
+    switch (name) {
+        case 'gemini': return createGeminiProvider(options);
+        case 'openai': return createOpenAIProvider(options);
+        case 'mock': return createOpenAIProvider({ model: MOCK_LLM_MODEL, baseUrl: MOCK_LLM_DEFAULT_BASE_URL, ...options });
+        default: throw new Error(`Unknown LLM provider "${name}". Expected one of: ${LLM_PROVIDERS.join(', ')}.`);
+    }
+};
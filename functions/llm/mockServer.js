@@ -0,0 +1,146 @@
+// A deterministic stand-in for an LLM, so the assistant, summaries and drafts all work offline. It serves the
+// OpenAI-compatible chat completions API under /v1 and Gemini's generateContent API under /v1beta (plain and
+// streamed) on MOCK_LLM_PORT; run it with `npm run mock-llm` and set LLM_PROVIDER=mock (see index.js in the
+// functions directory). To exercise the Gemini provider instead, set LLM_PROVIDER=gemini and point LLM_BASE_URL
+// at the /v1beta URL.
+//
+// The same messages always get the same reply. A user message containing [mock:rate-limit], [mock:error] or
+// [mock:bad-request] gets a 429, 500 or 400 instead, to exercise the retry and failure paths.
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const MOCK_LLM_PORT = Number(process.env.MOCK_LLM_PORT) || 8089;
+export const MOCK_LLM_DEFAULT_BASE_URL = `http://127.0.0.1:${MOCK_LLM_PORT}/v1`;
+export const MOCK_LLM_MODEL = 'mock-1';
+const MOCK_CHUNK_DELAY_MS = 40; // Between streamed words, so streaming is visible in the UI
+const MOCK_QUOTE_LENGTH = 80;
+const GEMINI_ROUTE = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+// FNV-1a, so replies to different conversations are told apart at a glance
+const checksum = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// messages: the OpenAI shape, [{ role: 'system' | 'user' | 'assistant', content }]. Quotes the first line of the
+// latest user message, and honors a "Start with '...'" instruction in the system prompt (the summarizer asks for one).
+export const buildMockReply = (messages) => {
+    const system = messages.find(message => message.role === 'system')?.content || '';
+    const turns = messages.filter(message => message.role !== 'system');
+    const lastUserText = [...turns].reverse().find(message => message.role === 'user')?.content || '';
+    const firstLine = lastUserText.split('\n').find(line => line.trim())?.trim() || '';
+    const quote = firstLine.length > MOCK_QUOTE_LENGTH ? `${firstLine.slice(0, MOCK_QUOTE_LENGTH)}…` : firstLine;
+    const prefix = system.match(/Start with '([^']+)'/)?.[1];
+
+    return [
+        prefix,
+        `Mock reply ${checksum(JSON.stringify(messages))}: you said "${quote}"`,
+        `(${turns.length} ${turns.length === 1 ? 'turn' : 'turns'} of context).`,
+    ].filter(Boolean).join(' ');
+};
+
+// Gemini requests in the OpenAI shape, so both APIs get the same reply to the same conversation
+const fromGeminiRequest = (request) => {
+    const toText = (content) => (content?.parts || []).map(part => part.text || '').join('');
+    const system = toText(request.systemInstruction);
+    return [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...(Array.isArray(request.contents) ? request.contents : []).map(content => ({
+            role: content.role === 'model' ? 'assistant' : 'user',
+            content: toText(content),
+        })),
+    ];
+};
+
+const getMarkerStatus = (messages) => {
+    const userText = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+    if (userText.includes('[mock:rate-limit]')) return [429, 'Mock rate limit.'];
+    if (userText.includes('[mock:error]')) return [500, 'Mock server error.'];
+    if (userText.includes('[mock:bad-request]')) return [400, 'Mock bad request.'];
+    return null;
+};
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readJson = async (req) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    return JSON.parse(body || '{}');
+};
+
+// Sends the reply word by word as server-sent events; toChunk builds each event's payload
+const streamReply = async (res, reply, toChunk, finalEvent = '') => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    for (const word of reply.match(/\S+\s*/g) || []) {
+        if (res.destroyed) return; // The caller stopped reading
+        res.write(`data: ${JSON.stringify(toChunk(word))}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, MOCK_CHUNK_DELAY_MS));
+    }
+    res.end(finalEvent);
+};
+
+// api: 'openai' or 'gemini'; model and stream come from the URL for Gemini and from the body for OpenAI
+const handleCompletion = async (req, res, api, { model: routeModel, stream: routeStream } = {}) => {
+    let request;
+    try {
+        request = await readJson(req);
+    } catch {
+        sendJson(res, 400, { error: { message: 'Request body is not valid JSON.' } });
+        return;
+    }
+    const messages = api === 'gemini' ? fromGeminiRequest(request) : (Array.isArray(request.messages) ? request.messages : []);
+    const markerStatus = getMarkerStatus(messages);
+    if (markerStatus) {
+        sendJson(res, markerStatus[0], { error: { message: markerStatus[1] } });
+        return;
+    }
+
+    const reply = buildMockReply(messages);
+    const model = routeModel || request.model || MOCK_LLM_MODEL;
+    if (api === 'gemini') {
+        const toCandidates = (text) => [{ index: 0, content: { role: 'model', parts: [{ text }] } }];
+        if (routeStream) {
+            await streamReply(res, reply, word => ({ candidates: toCandidates(word), modelVersion: model }));
+        } else {
+            sendJson(res, 200, { candidates: [{ ...toCandidates(reply)[0], finishReason: 'STOP' }], modelVersion: model });
+        }
+    } else if (request.stream) {
+        await streamReply(res, reply, word => ({ object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content: word } }] }), 'data: [DONE]\n\n');
+    } else {
+        sendJson(res, 200, { object: 'chat.completion', model, choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }] });
+    }
+};
+
+export const createMockServer = () => createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://127.0.0.1');
+    const geminiRoute = pathname.match(GEMINI_ROUTE);
+    const onError = (error) => {
+        console.error("Mock LLM request failed:", error);
+        if (!res.headersSent) sendJson(res, 500, { error: { message: 'Mock server error.' } });
+    };
+
+    if (req.method === 'POST' && pathname === '/v1/chat/completions') {
+        handleCompletion(req, res, 'openai').catch(onError);
+    } else if (req.method === 'POST' && geminiRoute) {
+        handleCompletion(req, res, 'gemini', { model: geminiRoute[1], stream: geminiRoute[2] === 'streamGenerateContent' }).catch(onError);
+    } else if (req.method === 'GET' && pathname === '/v1/models') {
+        sendJson(res, 200, { object: 'list', data: [{ id: MOCK_LLM_MODEL, object: 'model' }] });
+    } else {
+        sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+    }
+});
+
+// `node llm/mockServer.js` starts it; importing the module (as index.js does for its defaults) doesn't
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    createMockServer().listen(MOCK_LLM_PORT, '127.0.0.1', () => {
+        console.log(`Mock LLM listening on ${MOCK_LLM_DEFAULT_BASE_URL} (Gemini API under /v1beta)`);
+    });
+}
@@ -0,0 +1,43 @@
+// Any OpenAI-compatible chat completions API (OpenAI itself, local servers, and the mock in mockServer.js).
+// Grounding isn't part of that API, so grounded requests are answered without it.
+
+import { postWithRetry, readServerSentEvents, parseChunk } from './provider.js';
+
+const PROVIDER = 'OpenAI-compatible API';
+export const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+export const OPENAI_DEFAULT_MODEL = 'gpt-4o-mini';
+
+const toMessages = ({ system, turns }) => [
+    { role: 'system', content: system },
+    ...turns.map(turn => ({ role: turn.role, content: turn.text })),
+];
+
+export const createOpenAIProvider = ({ apiKey, model = OPENAI_DEFAULT_MODEL, baseUrl = OPENAI_DEFAULT_BASE_URL, retryDelayMs }) => {
+    const url = `${baseUrl}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    return {
+        name: PROVIDER,
+
+        generate: async (request) => {
+            const response = await postWithRetry(PROVIDER, url, { headers, body: { model, messages: toMessages(request) }, retryDelayMs });
+            const result = await response.json();
+            return result.choices?.[0]?.message?.content || '';
+        },
+
+        // Chunks arrive as `data: {choices: [{delta: {content}}]}`, ending with `data: [DONE]`
+        stream: async ({ signal, onText, ...request }) => {
+            const response = await postWithRetry(PROVIDER, url, { headers, body: { model, messages: toMessages(request), stream: true }, signal, retryDelayMs });
+            let text = '';
+            await readServerSentEvents(PROVIDER, response, (data) => {
+                if (data === '[DONE]') return;
+                const chunk = parseChunk(data)?.choices?.[0]?.delta?.content;
+                if (chunk) {
+                    text += chunk;
+                    onText(text);
+                }
+            });
+            return text;
+        },
+    };
+};
@@ -0,0 +1,102 @@
+// Shared plumbing for the LLM providers. Every provider exposes the same two calls:
+//
+//   generate({ system, turns, grounded })                   -> Promise<string>
+//   stream({ system, turns, grounded, signal, onText })      -> Promise<string>
+//
+// turns is the conversation as [{ role: 'user' | 'assistant', text }], opening with the user. grounded asks for
+// web search grounding where the provider supports it. stream calls onText with the full text so far as chunks
+// arrive and resolves with the final text. Both reject with an LLMError.
+
+import { logger } from 'firebase-functions/v2';
+
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000; // Doubles on each retry
+
+// code: 'rate_limited' | 'unavailable' | 'rejected' | 'aborted'. retryable is set for the first two.
+export class LLMError extends Error {
+    constructor(code, message, { status = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'LLMError';
+        this.code = code;
+        this.status = status;
+        this.retryable = code === 'rate_limited' || code === 'unavailable';
+    }
+}
+
+const errorForStatus = (provider, status) => {
+    if (status === 429) return new LLMError('rate_limited', `${provider} rate limit reached`, { status });
+    if (status >= 500) return new LLMError('unavailable', `${provider} request failed with status: ${status}`, { status });
+    return new LLMError('rejected', `${provider} request failed with status: ${status}`, { status });
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timeout);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+const toLLMError = (provider, error) => {
+    if (error instanceof LLMError) return error;
+    if (error?.name === 'AbortError') return new LLMError('aborted', `${provider} request was stopped`, { cause: error });
+    return new LLMError('unavailable', `${provider} request failed: ${error?.message || error}`, { cause: error });
+};
+
+// POSTs JSON, retrying rate limits and server errors with exponential backoff (plus jitter), and resolves with
+// the successful response. retryDelayMs is the first backoff; tests pass 0.
+export const postWithRetry = async (provider, url, { headers = {}, body, signal, retryDelayMs = RETRY_BASE_DELAY_MS }) => {
+    try {
+        for (let attempt = 0; ; attempt++) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal,
+            });
+            if (response.ok) return response;
+
+            const error = errorForStatus(provider, response.status);
+            if (!error.retryable || attempt >= MAX_RETRIES - 1) throw error;
+            await wait(Math.pow(2, attempt) * retryDelayMs + Math.random() * retryDelayMs, signal);
+        }
+    } catch (error) {
+        throw toLLMError(provider, error);
+    }
+};
+
+// Reads a server-sent event stream, calling onData with the payload of each `data:` line
+export const readServerSentEvents = async (provider, response, onData) => {
+    const flush = (event) => event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .forEach(line => onData(line.slice(5).trim()));
+
+    try {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+            events.forEach(flush);
+        }
+        flush(buffer);
+    } catch (error) {
+        throw toLLMError(provider, error);
+    }
+};
+
+// JSON.parse for one streamed chunk; unreadable chunks are logged and skipped rather than failing the reply
+export const parseChunk = (data) => {
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        logger.warn("Unreadable stream chunk:", error);
+        return null;
+    }
+};
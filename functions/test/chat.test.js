@@ -0,0 +1,67 @@
+// The assistant proxy's pure helpers: quota counting and the conversation memory handed to the providers
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AI_ASSISTANT_ID, AI_QUOTA_PERIOD_MS, nextUsage, buildAssistantTurns } from '../chat.js';
+
+const timestamp = (millis) => ({ toMillis: () => millis });
+
+describe('nextUsage', () => {
+    const now = Date.UTC(2026, 0, 15, 12);
+    const serverNow = 'SERVER_TIMESTAMP';
+
+    it('starts a period on first use', () => {
+        assert.deepEqual(nextUsage(undefined, 3, now, serverNow), { periodStart: serverNow, count: 1 });
+    });
+
+    it('counts up within the period and stops at the quota', () => {
+        const periodStart = timestamp(now - 1000);
+        assert.deepEqual(nextUsage({ periodStart, count: 2 }, 3, now, serverNow), { periodStart, count: 3 });
+        assert.equal(nextUsage({ periodStart, count: 3 }, 3, now, serverNow), null);
+    });
+
+    it('starts over once the period is over', () => {
+        const usage = { periodStart: timestamp(now - AI_QUOTA_PERIOD_MS), count: 3 };
+        assert.deepEqual(nextUsage(usage, 3, now, serverNow), { periodStart: serverNow, count: 1 });
+    });
+});
+
+describe('buildAssistantTurns', () => {
+    const fromUser = (text, extra = {}) => ({ senderId: 'alice', text, ...extra });
+    const fromAssistant = (text, extra = {}) => ({ senderId: AI_ASSISTANT_ID, text, ...extra });
+
+    it('turns newest-first messages into alternating turns that open with the user', () => {
+        const turns = buildAssistantTurns([
+            fromUser('And tomorrow?'),
+            fromAssistant('Sunny.'),
+            fromUser('Weather today?'),
+            fromAssistant('Hi! I am the assistant.'),
+        ]);
+        assert.deepEqual(turns, [
+            { role: 'user', text: 'Weather today?' },
+            { role: 'assistant', text: 'Sunny.' },
+            { role: 'user', text: 'And tomorrow?' },
+        ]);
+    });
+
+    it('merges runs from the same role', () => {
+        assert.deepEqual(buildAssistantTurns([fromUser('second'), fromUser('first')]), [{ role: 'user', text: 'first\n\nsecond' }]);
+    });
+
+    it('stops at the latest context reset and skips deleted, failed and system messages', () => {
+        const turns = buildAssistantTurns([
+            fromUser('after the reset'),
+            fromUser('gone', { deleted: true }),
+            fromAssistant('half an answer', { aiStatus: 'failed' }),
+            fromUser('Alice renamed the group', { systemEvent: { action: 'renamed' } }),
+            fromUser('Memory cleared', { systemEvent: { action: 'contextReset' } }),
+            fromUser('before the reset'),
+        ]);
+        assert.deepEqual(turns, [{ role: 'user', text: 'after the reset' }]);
+    });
+
+    it('labels user turns in group conversations', () => {
+        const turns = buildAssistantTurns([fromUser('hi all')], (msg) => `${msg.senderId}: ${msg.text}`);
+        assert.deepEqual(turns, [{ role: 'user', text: 'alice: hi all' }]);
+    });
+});
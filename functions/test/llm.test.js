@@ -0,0 +1,105 @@
+// The provider adapters (llm/) against the mock LLM server, which speaks both the OpenAI-compatible and the
+// Gemini API, so each adapter's request building, response parsing, streaming and errors are covered offline.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockServer, buildMockReply } from '../llm/mockServer.js';
+import { createProvider, LLMError } from '../llm/index.js';
+
+const conversation = {
+    system: "Summarize the conversation. Start with 'Summary:'",
+    turns: [
+        { role: 'user', text: 'Alice: Lunch at noon?\nBob: Sure' },
+        { role: 'assistant', text: 'Noon works for everyone.' },
+        { role: 'user', text: 'Alice: Where should we go?' },
+    ],
+};
+const expectedReply = buildMockReply([
+    { role: 'system', content: conversation.system },
+    ...conversation.turns.map(turn => ({ role: turn.role, content: turn.text })),
+]);
+const withUserText = (text) => ({ system: '', turns: [{ role: 'user', text }] });
+
+let server;
+let origin;
+
+before(async () => {
+    server = createMockServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// No backoff between retries, so the retry paths run without waiting
+const adapters = {
+    'openai': (options) => createProvider({ name: 'openai', apiKey: 'test-key', baseUrl: `${origin}/v1`, retryDelayMs: 0, ...options }),
+    'gemini': (options) => createProvider({ name: 'gemini', apiKey: 'test-key', baseUrl: `${origin}/v1beta`, retryDelayMs: 0, ...options }),
+};
+
+for (const [name, createAdapter] of Object.entries(adapters)) {
+    describe(`${name} provider`, () => {
+        it('generates the same reply for the same conversation', async () => {
+            const provider = createAdapter();
+            assert.equal(await provider.generate(conversation), expectedReply);
+            assert.equal(await provider.generate(conversation), expectedReply);
+        });
+
+        it('sends the system prompt and every turn', async () => {
+            const reply = await createAdapter().generate(conversation);
+            assert.match(reply, /^Summary: /);
+            assert.match(reply, /you said "Alice: Where should we go\?"/);
+            assert.match(reply, /\(3 turns of context\)/);
+        });
+
+        it('streams the reply, passing onText the whole text so far', async () => {
+            const partials = [];
+            const text = await createAdapter().stream({ ...conversation, grounded: true, onText: partial => partials.push(partial) });
+
+            assert.equal(text, expectedReply);
+            assert.ok(partials.length > 1, 'expected the reply in more than one chunk');
+            assert.equal(partials.at(-1), expectedReply);
+            partials.slice(1).forEach((partial, i) => assert.ok(partial.startsWith(partials[i])));
+        });
+
+        it('rejects with an aborted LLMError when the stream is stopped', async () => {
+            const controller = new AbortController();
+            const stream = createAdapter().stream({ ...conversation, signal: controller.signal, onText: () => controller.abort() });
+
+            await assert.rejects(stream, error => error instanceof LLMError && error.code === 'aborted');
+        });
+
+        it("doesn't retry a request the API rejects", async () => {
+            await assert.rejects(
+                createAdapter().generate(withUserText('[mock:bad-request]')),
+                error => error instanceof LLMError && error.code === 'rejected' && error.status === 400 && !error.retryable
+            );
+        });
+    });
+}
+
+describe('retries', () => {
+    it('gives up on server errors after the last retry', async () => {
+        await assert.rejects(
+            adapters.openai().generate(withUserText('[mock:error]')),
+            error => error instanceof LLMError && error.code === 'unavailable' && error.status === 500 && error.retryable
+        );
+    });
+
+    // With the default backoff, so the abort lands while it waits
+    it('stops backing off when the request is aborted', async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 200);
+
+        await assert.rejects(
+            adapters.openai({ retryDelayMs: undefined }).stream({ ...withUserText('[mock:rate-limit]'), signal: controller.signal, onText: () => {} }),
+            error => error instanceof LLMError && error.code === 'aborted'
+        );
+    });
+});
+
+describe('createProvider', () => {
+    it('rejects unknown providers', () => {
+        assert.throws(() => createProvider({ name: 'nope' }), /Unknown LLM provider "nope"/);
+    });
+});
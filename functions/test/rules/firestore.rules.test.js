@@ -0,0 +1,388 @@
+// firestore.rules against the Firestore emulator: run `npm run test:rules`, which starts it. Plain `npm test`
+// skips these. Each case writes what CJ_Chatroom.jsx writes, or a tampered version of it.
+
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, getDoc, getDocs, setDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp, increment, arrayUnion, arrayRemove, FieldPath } from 'firebase/firestore';
+import { AI_ASSISTANT_ID, AI_ASSISTANT_NAME } from '../../chat.js';
+
+const APP_ID = 'rules-test';
+const DATA = `artifacts/${APP_ID}/public/data`;
+const ROOM = `${DATA}/chatrooms/room`;
+const MESSAGE = `${ROOM}/messages/m1`;
+const REPORT_ID = 'bob_m1';
+
+describe('firestore.rules', { skip: !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)' }, () => {
+    let testEnv;
+    const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+    const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+    // What handleReportMessage writes when bob reports alice's m1
+    const reportData = (extra = {}) => ({
+        chatType: 'chatroom',
+        chatId: 'room',
+        messageId: 'm1',
+        threadId: null,
+        conversationName: 'Room',
+        reportedUserId: 'alice',
+        reporterId: 'bob',
+        reason: 'spam',
+        note: '',
+        message: { messageId: 'm1', senderId: 'alice', text: 'original', attachmentCount: 0, timestamp: null },
+        context: [],
+        status: 'open',
+        createdAt: serverTimestamp(),
+        ...extra,
+    });
+
+    // What resolveReport writes alongside the resolution
+    const logEntryData = (actorId, action) => ({
+        reportId: REPORT_ID,
+        action,
+        reason: 'spam',
+        actorId,
+        targetUserId: 'alice',
+        chatType: 'chatroom',
+        chatId: 'room',
+        conversationName: 'Room',
+        messageId: 'm1',
+        threadId: null,
+        createdAt: serverTimestamp(),
+    });
+
+    // Every post is counted against the sender's burst window in the same write (addRateLimitWrites)
+    const addRateLimitWrite = (batch, db, uid, postIds) => batch.set(doc(db, `${DATA}/rateLimits/${uid}`), {
+        windowStart: serverTimestamp(),
+        count: postIds.length,
+        lastPostedAt: serverTimestamp(),
+        postIds,
+    });
+
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-cjchatroom',
+            firestore: { rules: readFileSync(new URL('../../../firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seed(ROOM, { name: 'Room', visibility: 'private', ownerId: 'owner', members: ['owner', 'mod', 'alice', 'bob'], moderatorIds: ['mod'] });
+        await seed(MESSAGE, { senderId: 'alice', text: 'original', timestamp: new Date(), reactions: { '👍': ['bob'] } });
+    });
+
+    after(() => testEnv?.cleanup());
+
+    describe('reactions', () => {
+        it('lets members add and remove their own reaction', async () => {
+            await assertSucceeds(updateDoc(doc(as('alice'), MESSAGE), new FieldPath('reactions', '👍'), arrayUnion('alice')));
+            await assertSucceeds(updateDoc(doc(as('bob'), MESSAGE), new FieldPath('reactions', '👍'), arrayRemove('bob')));
+        });
+
+        it("rejects reacting for someone else or clearing others' reactions", async () => {
+            await assertFails(updateDoc(doc(as('alice'), MESSAGE), new FieldPath('reactions', '🎉'), ['bob']));
+            await assertFails(updateDoc(doc(as('alice'), MESSAGE), { reactions: {} }));
+        });
+
+        it('rejects changing thread counters without posting a reply', async () => {
+            await assertFails(updateDoc(doc(as('bob'), MESSAGE), { replyCount: 99, latestReplierIds: ['bob'], lastReplyAt: serverTimestamp() }));
+        });
+    });
+
+    describe('thread replies', () => {
+        const postReply = (db, uid, replyId) => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${MESSAGE}/replies/${replyId}`), { senderId: uid, text: 'a reply', timestamp: serverTimestamp() });
+            batch.update(doc(db, MESSAGE), { replyCount: increment(1), lastReplyAt: serverTimestamp(), latestReplierIds: [uid], lastReplyId: replyId });
+            addRateLimitWrite(batch, db, uid, [replyId]);
+            return batch.commit();
+        };
+
+        it('bumps the parent by one alongside a new reply', async () => {
+            await assertSucceeds(postReply(as('bob'), 'bob', 'r1'));
+        });
+
+        it('takes a deleted reply off the count, once', async () => {
+            await postReply(as('bob'), 'bob', 'r1');
+            const deleteReply = (db) => {
+                const batch = writeBatch(db);
+                batch.update(doc(db, `${MESSAGE}/replies/r1`), { text: '', attachments: [], searchTokens: [], deleted: true, deletedBy: 'bob', deletedAt: serverTimestamp() });
+                batch.update(doc(db, MESSAGE), { replyCount: increment(-1), latestReplierIds: [], lastRemovedReplyId: 'r1' });
+                return batch.commit();
+            };
+            await assertSucceeds(deleteReply(as('bob')));
+            await assertFails(deleteReply(as('bob')));
+        });
+    });
+
+    describe('messages', () => {
+        const post = (db, data) => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${ROOM}/messages/m2`), { senderId: 'alice', text: 'hi', timestamp: serverTimestamp(), ...data });
+            addRateLimitWrite(batch, db, 'alice', ['m2']);
+            return batch.commit();
+        };
+        const softDelete = (deletedBy) => ({ text: '', attachments: [], searchTokens: [], deleted: true, deletedBy, deletedAt: serverTimestamp() });
+
+        it('are created with only the fields clients write', async () => {
+            await assertSucceeds(post(as('alice'), { mentions: ['bob'], searchTokens: ['hi'] }));
+        });
+
+        it('rejects new messages carrying reactions, counters, assistant fields or system events', async () => {
+            await assertFails(post(as('alice'), { reactions: { '👍': ['bob'] } }));
+            await assertFails(post(as('alice'), { replyCount: 5 }));
+            await assertFails(post(as('alice'), { aiStatus: 'complete' }));
+            await assertFails(post(as('alice'), { systemEvent: { action: 'left', actorId: 'bob', targetIds: [] } }));
+            await assertFails(post(as('alice'), { text: 'x'.repeat(4001) }));
+        });
+
+        it('can be soft-deleted by their sender, in their own name', async () => {
+            await assertFails(updateDoc(doc(as('alice'), MESSAGE), softDelete('mod')));
+            await assertSucceeds(updateDoc(doc(as('alice'), MESSAGE), softDelete('alice')));
+        });
+
+        it("can't be restored once deleted", async () => {
+            await seed(MESSAGE, { senderId: 'alice', text: '', timestamp: new Date(), deleted: true, deletedBy: 'mod', deletedAt: new Date() });
+            await assertFails(updateDoc(doc(as('alice'), MESSAGE), { text: 'back again', deleted: false }));
+            await assertFails(updateDoc(doc(as('alice'), MESSAGE), softDelete('alice')));
+        });
+    });
+
+    describe('room preview', () => {
+        const preview = (messageId, senderId, text) => ({ messageId, senderId, text, attachmentCount: 0, isSystem: false, deleted: false });
+
+        it('names a message posted in the same write', async () => {
+            const db = as('bob');
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${ROOM}/messages/m2`), { senderId: 'bob', text: 'hello there', timestamp: serverTimestamp() });
+            batch.update(doc(db, ROOM), { lastMessage: preview('m2', 'bob', 'hello there'), updatedAt: serverTimestamp() });
+            addRateLimitWrite(batch, db, 'bob', ['m2']);
+            await assertSucceeds(batch.commit());
+        });
+
+        it("otherwise has to repeat the named message's text", async () => {
+            await assertFails(updateDoc(doc(as('bob'), ROOM), { lastMessage: preview('m1', 'alice', 'something alice never said') }));
+            await assertSucceeds(updateDoc(doc(as('bob'), ROOM), { lastMessage: preview('m1', 'alice', 'original') }));
+        });
+    });
+
+    describe('edit history', () => {
+        const edit = (db, revisionText) => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${MESSAGE}/revisions/1`), { text: revisionText, editorId: 'alice', editedAt: serverTimestamp() });
+            batch.update(doc(db, MESSAGE), { text: 'edited', editedAt: serverTimestamp(), editCount: increment(1) });
+            return batch.commit();
+        };
+
+        it('archives the replaced text when the sender edits', async () => {
+            await assertSucceeds(edit(as('alice'), 'original'));
+        });
+
+        it('rejects edits that skip the revision', async () => {
+            await assertFails(updateDoc(doc(as('alice'), MESSAGE), { text: 'edited', editedAt: serverTimestamp(), editCount: increment(1) }));
+            await assertFails(updateDoc(doc(as('alice'), MESSAGE), { text: 'edited' }));
+        });
+
+        it('rejects made-up revisions, and revisions without an edit', async () => {
+            await assertFails(edit(as('alice'), 'something alice never said'));
+            await assertFails(setDoc(doc(as('alice'), `${MESSAGE}/revisions/fake`), { text: 'original', editorId: 'alice', editedAt: serverTimestamp() }));
+            await assertFails(setDoc(doc(as('bob'), `${MESSAGE}/revisions/fake`), { text: 'original', editorId: 'bob', editedAt: serverTimestamp() }));
+        });
+
+        it('only drops revisions when the message is soft-deleted', async () => {
+            await seed(`${MESSAGE}/revisions/rev1`, { text: 'older', editorId: 'alice', editedAt: new Date() });
+            await assertFails(deleteDoc(doc(as('bob'), `${MESSAGE}/revisions/rev1`)));
+            await assertFails(deleteDoc(doc(as('alice'), `${MESSAGE}/revisions/rev1`)));
+
+            const db = as('mod');
+            const batch = writeBatch(db);
+            batch.delete(doc(db, `${MESSAGE}/revisions/rev1`));
+            batch.update(doc(db, MESSAGE), { text: '', attachments: [], searchTokens: [], deleted: true, deletedBy: 'mod', deletedAt: serverTimestamp() });
+            await assertSucceeds(batch.commit());
+        });
+    });
+
+    describe('reports', () => {
+        it('lets members report a message', async () => {
+            await assertSucceeds(setDoc(doc(as('bob'), `${DATA}/reports/${REPORT_ID}`), reportData()));
+        });
+
+        it('only copies real, earlier messages as context', async () => {
+            const sentAt = new Date(Date.now() - 60000);
+            await seed(`${ROOM}/messages/m0`, { senderId: 'bob', text: 'before', timestamp: sentAt });
+            const context = (text) => [{ messageId: 'm0', senderId: 'bob', text, attachmentCount: 0, timestamp: sentAt }];
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/reports/${REPORT_ID}`), reportData({ context: context('alice started it') })));
+            await assertSucceeds(setDoc(doc(as('bob'), `${DATA}/reports/${REPORT_ID}`), reportData({ context: context('before') })));
+        });
+
+        it('rejects reports that arrive already resolved', async () => {
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/reports/${REPORT_ID}`), reportData({ logEntryId: 'log1', resolution: 'bannedUser' })));
+        });
+    });
+
+    describe('moderation log', () => {
+        const resolve = (db, actorId, logId) => {
+            const batch = writeBatch(db);
+            batch.update(doc(db, `${DATA}/reports/${REPORT_ID}`), { status: 'resolved', resolution: 'dismissed', resolvedBy: actorId, resolvedAt: serverTimestamp(), logEntryId: logId });
+            batch.set(doc(db, `${DATA}/moderationLog/${logId}`), logEntryData(actorId, 'dismissed'));
+            return batch.commit();
+        };
+
+        beforeEach(() => seed(`${DATA}/reports/${REPORT_ID}`, { ...reportData(), createdAt: new Date() }));
+
+        it("lets the room's moderators resolve a report and log it", async () => {
+            await assertSucceeds(resolve(as('mod'), 'mod', 'log1'));
+        });
+
+        it('only closes a report as a ban alongside the ban', async () => {
+            const banResolution = (withBan) => {
+                const db = as('mod');
+                const batch = writeBatch(db);
+                if (withBan) batch.update(doc(db, ROOM), { members: arrayRemove('alice'), bannedUserIds: arrayUnion('alice') });
+                batch.update(doc(db, `${DATA}/reports/${REPORT_ID}`), { status: 'resolved', resolution: 'bannedUser', resolvedBy: 'mod', resolvedAt: serverTimestamp(), logEntryId: 'log1' });
+                batch.set(doc(db, `${DATA}/moderationLog/log1`), logEntryData('mod', 'bannedUser'));
+                return batch.commit();
+            };
+            await assertFails(banResolution(false));
+            await assertSucceeds(banResolution(true));
+        });
+
+        it('rejects log entries from anyone who cannot review the report', async () => {
+            await assertFails(resolve(as('bob'), 'bob', 'log1'));
+
+            // An open report that names its own log entry, as reporters could once create
+            await seed(`${DATA}/reports/${REPORT_ID}`, { ...reportData(), createdAt: new Date(), logEntryId: 'log2', resolution: 'bannedUser' });
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/moderationLog/log2`), logEntryData('bob', 'bannedUser')));
+        });
+
+        it('rejects log entries written without resolving the report', async () => {
+            await assertFails(setDoc(doc(as('mod'), `${DATA}/moderationLog/log1`), logEntryData('mod', 'dismissed')));
+        });
+    });
+
+    describe('assistant profile', () => {
+        const profile = (extra = {}) => ({
+            displayName: AI_ASSISTANT_NAME,
+            photoURL: 'https://placehold.co/150x150/06b6d4/ffffff?text=AI',
+            email: 'assistant@cjc.ai',
+            isAI: true,
+            createdAt: serverTimestamp(),
+            ...extra,
+        });
+
+        it('can only be created exactly as the app defines it', async () => {
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/users/${AI_ASSISTANT_ID}`), profile({ displayName: 'Totally Official Admin' })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/users/${AI_ASSISTANT_ID}`), profile({ bio: 'extra' })));
+            await assertSucceeds(setDoc(doc(as('alice'), `${DATA}/users/${AI_ASSISTANT_ID}`), profile()));
+        });
+    });
+
+    describe('mentions inbox', () => {
+        const sendMention = (db, withRateLimit = true) => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${ROOM}/messages/m2`), { senderId: 'alice', text: 'hi @bob', mentions: ['bob'], timestamp: serverTimestamp() });
+            batch.set(doc(db, `${DATA}/users/bob/mentions/m2`), { chatType: 'chatroom', chatId: 'room', messageId: 'm2', threadId: null, senderId: 'alice', timestamp: serverTimestamp() });
+            if (withRateLimit) addRateLimitWrite(batch, db, 'alice', ['m2']);
+            return batch.commit();
+        };
+
+        it('is written alongside the message and read only by the mentioned user', async () => {
+            await assertSucceeds(sendMention(as('alice')));
+            await assertSucceeds(getDocs(collection(as('bob'), `${DATA}/users/bob/mentions`)));
+            await assertFails(getDoc(doc(as('alice'), `${DATA}/users/bob/mentions/m2`)));
+        });
+
+        it('keeps a removed member from reading the mentioned message', async () => {
+            await sendMention(as('alice'));
+            await seed(ROOM, { name: 'Room', visibility: 'private', ownerId: 'owner', members: ['owner', 'mod', 'alice'], moderatorIds: ['mod'], bannedUserIds: ['bob'] });
+            await assertSucceeds(getDoc(doc(as('bob'), `${DATA}/users/bob/mentions/m2`)));
+            await assertFails(getDoc(doc(as('bob'), `${ROOM}/messages/m2`)));
+        });
+
+        it('rejects posts that skip the burst limit', async () => {
+            await assertFails(sendMention(as('alice'), false));
+        });
+
+        it('rejects entries for people outside the conversation', async () => {
+            const db = as('alice');
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${ROOM}/messages/m2`), { senderId: 'alice', text: 'hi @carol', mentions: ['carol'], timestamp: serverTimestamp() });
+            batch.set(doc(db, `${DATA}/users/carol/mentions/m2`), { chatType: 'chatroom', chatId: 'room', messageId: 'm2', threadId: null, senderId: 'alice', timestamp: serverTimestamp() });
+            addRateLimitWrite(batch, db, 'alice', ['m2']);
+            await assertFails(batch.commit());
+        });
+
+        it('is written for people an edit newly mentions', async () => {
+            const editMentioning = (db) => {
+                const batch = writeBatch(db);
+                batch.set(doc(db, `${MESSAGE}/revisions/1`), { text: 'original', editorId: 'alice', editedAt: serverTimestamp() });
+                batch.update(doc(db, MESSAGE), { text: 'original @bob', mentions: ['bob'], editedAt: serverTimestamp(), editCount: increment(1) });
+                batch.set(doc(db, `${DATA}/users/bob/mentions/m1`), { chatType: 'chatroom', chatId: 'room', messageId: 'm1', threadId: null, senderId: 'alice', timestamp: serverTimestamp() });
+                return batch.commit();
+            };
+            await assertSucceeds(editMentioning(as('alice')));
+            await seed(`${DATA}/users/bob/mentions/m1`, { chatType: 'chatroom', chatId: 'room', messageId: 'm1', threadId: null, senderId: 'alice', timestamp: new Date() });
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/users/bob/mentions/m1`), { chatType: 'chatroom', chatId: 'room', messageId: 'm1', threadId: null, senderId: 'alice', timestamp: serverTimestamp() }));
+        });
+    });
+
+    describe('read states', () => {
+        it('are read by their owner, and by the other people in a DM for "Seen by"', async () => {
+            await seed(`${DATA}/dmThreads/alice_bob`, { participants: ['alice', 'bob'] });
+            await seed(`${DATA}/users/alice/readStates/dm_alice_bob`, { lastReadAt: new Date() });
+            await seed(`${DATA}/users/alice/readStates/chatroom_room`, { lastReadAt: new Date() });
+
+            await assertSucceeds(getDocs(collection(as('alice'), `${DATA}/users/alice/readStates`)));
+            await assertSucceeds(getDoc(doc(as('bob'), `${DATA}/users/alice/readStates/dm_alice_bob`)));
+            await assertFails(getDoc(doc(as('mod'), `${DATA}/users/alice/readStates/dm_alice_bob`)));
+            await assertFails(getDoc(doc(as('bob'), `${DATA}/users/alice/readStates/chatroom_room`)));
+            await assertFails(getDocs(collection(as('bob'), `${DATA}/users/alice/readStates`)));
+        });
+    });
+
+    describe('burst limit', () => {
+        const record = (count, postIds) => setDoc(doc(as('bob'), `${DATA}/rateLimits/bob`), { windowStart: serverTimestamp(), count, lastPostedAt: serverTimestamp(), postIds }, { merge: true });
+
+        it('counts every message doc a write creates', async () => {
+            await assertFails(record(1, ['r1', 'c1']));
+            await assertSucceeds(record(2, ['r1', 'c1']));
+        });
+
+        it('rejects a reply and its channel copy that would go over the limit', async () => {
+            await seed(`${DATA}/rateLimits/bob`, { windowStart: new Date(), count: 4, lastPostedAt: new Date(), postIds: ['m4'] });
+            const db = as('bob');
+            const add = (postIds) => setDoc(doc(db, `${DATA}/rateLimits/bob`), { count: increment(postIds.length), lastPostedAt: serverTimestamp(), postIds }, { merge: true });
+            await assertFails(add(['r1', 'c1']));
+            await assertSucceeds(add(['m5']));
+        });
+    });
+
+    describe('direct messages', () => {
+        const THREAD = `${DATA}/dmThreads/alice_bob`;
+
+        it('count against the burst limit too', async () => {
+            await seed(THREAD, { participants: ['alice', 'bob'] });
+            const db = as('alice');
+            const message = { senderId: 'alice', text: 'hey', timestamp: serverTimestamp() };
+            await assertFails(setDoc(doc(db, `${THREAD}/messages/d1`), message));
+
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${THREAD}/messages/d1`), message);
+            addRateLimitWrite(batch, db, 'alice', ['d1']);
+            await assertSucceeds(batch.commit());
+        });
+
+        it("carry system events only in the sender's own name", async () => {
+            await seed(THREAD, { participants: ['alice', 'bob', 'mod'], isGroup: true });
+            const postEvent = (db, systemEvent) => {
+                const batch = writeBatch(db);
+                batch.set(doc(db, `${THREAD}/messages/d2`), { senderId: 'alice', text: 'Alice left the group', timestamp: serverTimestamp(), systemEvent });
+                addRateLimitWrite(batch, db, 'alice', ['d2']);
+                return batch.commit();
+            };
+            await assertFails(postEvent(as('alice'), { action: 'removed', actorId: 'bob', targetIds: ['mod'] }));
+            await assertSucceeds(postEvent(as('alice'), { action: 'left', actorId: 'alice', targetIds: [] }));
+        });
+    });
+});